@@ -0,0 +1,251 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { server, wss } = require('../server');
+
+const User = mongoose.model('User');
+const OAuthState = mongoose.model('OAuthState');
+
+let replSet;
+
+// A real mongod as a one-node replica set, so unique indexes, aggregations
+// and transactions behave as in production. The mock provider's pages are
+// served by the app itself, so the server listens for real and tells the
+// provider where it is. The first run downloads mongod, hence the timeout.
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OAUTH_CALLBACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+}, 120000);
+
+afterAll(async () => {
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+});
+
+// Helper: Path and query of an absolute URL, for supertest
+const pathOf = (url) => {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+};
+
+// Helper: POST /start and follow the browser to the mock provider, which
+// redirects straight back; returns the callback URL it sends the browser to
+async function startSignIn(email) {
+  const start = await request(server).post('/api/auth/oauth/mock/start').send({ loginHint: email });
+  expect(start.status).toBe(200);
+
+  const authorize = await request(server).get(pathOf(start.body.url));
+  expect(authorize.status).toBe(302);
+  return authorize.headers.location;
+}
+
+// Helper: Hit the callback; returns the frontend URL it redirects to
+async function finishSignIn(callbackUrl) {
+  const callback = await request(server).get(pathOf(callbackUrl));
+  expect(callback.status).toBe(302);
+  return new URL(callback.headers.location);
+}
+
+// Helper: The whole round trip, ending with tokens from /complete
+async function signIn(email) {
+  const landing = await finishSignIn(await startSignIn(email));
+  const code = landing.searchParams.get('oauth_code');
+  expect(code).toBeTruthy();
+  return request(server).post('/api/auth/oauth/complete').send({ code });
+}
+
+describe('OAuth sign-in with the mock provider', () => {
+  test('start → authorize → callback → complete signs a new player up', async () => {
+    const landing = await finishSignIn(await startSignIn('newplayer@example.test'));
+    expect(landing.pathname).toBe('/login.html');
+    expect(landing.searchParams.get('oauth_error')).toBeNull();
+
+    const complete = await request(server)
+      .post('/api/auth/oauth/complete')
+      .send({ code: landing.searchParams.get('oauth_code') });
+
+    expect(complete.status).toBe(200);
+    expect(complete.body.token).toEqual(expect.any(String));
+    expect(complete.body.refreshToken).toEqual(expect.any(String));
+    expect(complete.body.user).toMatchObject({ username: 'newplayer', email: 'newplayer@example.test', isVerified: true });
+
+    const user = await User.findOne({ email: 'newplayer@example.test' });
+    expect(user.hasPassword).toBe(false);
+    expect(user.oauthIdentities.map(i => i.provider)).toEqual(['mock']);
+    expect(user.balance).toBe(100); // Welcome bonus, so the account went through createAccount
+  });
+
+  test('the one-time login code works once', async () => {
+    const landing = await finishSignIn(await startSignIn('once@example.test'));
+    const code = landing.searchParams.get('oauth_code');
+
+    expect((await request(server).post('/api/auth/oauth/complete').send({ code })).status).toBe(200);
+
+    const again = await request(server).post('/api/auth/oauth/complete').send({ code });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('OAUTH_CODE_INVALID');
+  });
+
+  test('signing in again uses the linked account', async () => {
+    const first = await signIn('returning@example.test');
+    const second = await signIn('returning@example.test');
+
+    expect(second.status).toBe(200);
+    expect(second.body.user.id).toBe(first.body.user.id);
+    expect(await User.countDocuments({ email: 'returning@example.test' })).toBe(1);
+  });
+});
+
+describe('OAuth state', () => {
+  test('a state can only come back once', async () => {
+    const callbackUrl = await startSignIn('replay@example.test');
+    expect((await finishSignIn(callbackUrl)).searchParams.get('oauth_code')).toBeTruthy();
+
+    const replay = await finishSignIn(callbackUrl);
+    expect(replay.searchParams.get('oauth_code')).toBeNull();
+    expect(replay.searchParams.get('oauth_error')).toBe('Sign-in expired, please try again');
+  });
+
+  test('an expired state is refused', async () => {
+    const callbackUrl = await startSignIn('slow@example.test');
+    await OAuthState.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const landing = await finishSignIn(callbackUrl);
+    expect(landing.searchParams.get('oauth_error')).toBe('Sign-in expired, please try again');
+    expect(await User.exists({ email: 'slow@example.test' })).toBeNull();
+  });
+
+  test('an unknown state is refused', async () => {
+    const callbackUrl = new URL(await startSignIn('forged@example.test'));
+    callbackUrl.searchParams.set('state', 'not-a-state-we-issued');
+
+    const landing = await finishSignIn(callbackUrl.toString());
+    expect(landing.searchParams.get('oauth_error')).toBe('Sign-in expired, please try again');
+  });
+});
+
+describe('PKCE', () => {
+  test('the mock provider refuses a code exchanged with the wrong verifier', async () => {
+    const callbackUrl = new URL(await startSignIn('pkce@example.test'));
+
+    const token = await request(server)
+      .post('/api/oauth/mock/token')
+      .type('form')
+      .send({
+        grant_type: 'authorization_code',
+        code: callbackUrl.searchParams.get('code'),
+        redirect_uri: `${callbackUrl.origin}${callbackUrl.pathname}`,
+        client_id: 'thumbsapp-dev',
+        client_secret: 'thumbsapp-dev-secret',
+        code_verifier: 'a-verifier-that-does-not-match-the-challenge'
+      });
+
+    expect(token.status).toBe(400);
+    expect(token.body.error).toBe('invalid_grant');
+  });
+
+  test('sign-in fails when the stored verifier does not match the challenge', async () => {
+    const callbackUrl = await startSignIn('pkce@example.test');
+    await OAuthState.updateMany({}, { codeVerifier: 'a-verifier-that-does-not-match-the-challenge' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const landing = await finishSignIn(callbackUrl);
+
+    console.error.mockRestore();
+    expect(landing.searchParams.get('oauth_error')).toBe('Mock OIDC sign-in failed, please try again');
+    expect(await User.exists({ email: 'pkce@example.test' })).toBeNull();
+  });
+});
+
+describe('linking by email', () => {
+  const existingUser = (isVerified) => User.create({
+    username: 'existing',
+    displayName: 'Existing Player',
+    email: 'taken@example.test',
+    password: 'not-a-real-hash',
+    isVerified
+  });
+
+  test('an account whose email we never verified is not linked automatically', async () => {
+    await existingUser(false);
+
+    const landing = await finishSignIn(await startSignIn('taken@example.test'));
+    expect(landing.searchParams.get('oauth_code')).toBeNull();
+    expect(landing.searchParams.get('oauth_error')).toMatch(/An account already uses this email/);
+
+    const user = await User.findOne({ email: 'taken@example.test' });
+    expect(user.oauthIdentities).toHaveLength(0);
+  });
+
+  test('an account with a verified email is linked and signed in', async () => {
+    const existing = await existingUser(true);
+
+    const complete = await signIn('taken@example.test');
+    expect(complete.status).toBe(200);
+    expect(complete.body.user.id).toBe(existing._id.toString());
+
+    const user = await User.findById(existing._id);
+    expect(user.oauthIdentities.map(i => i.provider)).toEqual(['mock']);
+  });
+});
+
+describe('linking from settings', () => {
+  test('an identity linked to one account cannot be linked to another', async () => {
+    const owner = await signIn('owner@example.test');
+    const { body } = await signIn('other@example.test');
+    await User.updateOne({ _id: body.user.id }, { hasPassword: true, oauthIdentities: [] });
+
+    const link = await request(server)
+      .post('/api/auth/oauth/mock/link')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ loginHint: 'owner@example.test' });
+    expect(link.status).toBe(200);
+
+    const authorize = await request(server).get(pathOf(link.body.url));
+    const landing = await finishSignIn(authorize.headers.location);
+    expect(landing.searchParams.get('oauth_error')).toBe('This Mock OIDC account is linked to another ThumbsApp account');
+
+    expect((await User.findById(body.user.id)).oauthIdentities).toHaveLength(0);
+    expect((await User.findById(owner.body.user.id)).oauthIdentities).toHaveLength(1);
+  });
+});
+
+describe('unlinking', () => {
+  test('the last way to sign in cannot be unlinked', async () => {
+    const { body } = await signIn('onlyoauth@example.test');
+
+    const unlink = await request(server)
+      .delete('/api/auth/oauth/mock')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(unlink.status).toBe(400);
+    expect(unlink.body.code).toBe('LAST_LOGIN_METHOD');
+    const user = await User.findById(body.user.id);
+    expect(user.oauthIdentities).toHaveLength(1);
+  });
+
+  test('a provider can be unlinked once the account has a password', async () => {
+    const { body } = await signIn('haspassword@example.test');
+    await User.updateOne({ _id: body.user.id }, { hasPassword: true });
+
+    const unlink = await request(server)
+      .delete('/api/auth/oauth/mock')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(unlink.status).toBe(200);
+    expect(unlink.body.oauthIdentities).toEqual([]);
+    const user = await User.findById(body.user.id);
+    expect(user.oauthIdentities).toHaveLength(0);
+  });
+});
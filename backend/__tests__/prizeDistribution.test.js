@@ -0,0 +1,133 @@
+const { computePrizeDistribution } = require('../prizeDistribution');
+
+// Players as completeArena() passes them: arena players with a user id and score
+const player = (user, score) => ({ user, score });
+const amounts = (result) => result.payouts.map(p => p.amount);
+const total = (result) => result.payouts.reduce((sum, p) => sum + p.amount, 0);
+
+describe('computePrizeDistribution', () => {
+  test('splits the pool by the payout table in score order', () => {
+    const result = computePrizeDistribution(1000, [60, 30, 10], [
+      player('c', 5), player('a', 30), player('b', 20)
+    ]);
+
+    expect(result.rake).toBe(0);
+    expect(result.payouts).toEqual([
+      { user: 'a', place: 1, score: 30, amount: 600 },
+      { user: 'b', place: 2, score: 20, amount: 300 },
+      { user: 'c', place: 3, score: 5, amount: 100 }
+    ]);
+  });
+
+  test('pays whole units and gives the leftover to the largest remainder', () => {
+    // Amounts are minor units: 101 satang splits 60.6 / 30.3 / 10.1, floors
+    // to 60 / 30 / 10 and the spare satang goes to 1st
+    const result = computePrizeDistribution(101, [60, 30, 10], [
+      player('a', 3), player('b', 2), player('c', 1)
+    ]);
+
+    expect(amounts(result)).toEqual([61, 30, 10]);
+    expect(result.payouts.every(p => Number.isInteger(p.amount))).toBe(true);
+  });
+
+  test('hands equal remainders to the earlier rank first', () => {
+    const result = computePrizeDistribution(10, [100], [
+      player('a', 7), player('b', 7), player('c', 7)
+    ]);
+
+    expect(amounts(result)).toEqual([4, 3, 3]);
+    expect(result.payouts.map(p => p.place)).toEqual([1, 1, 1]);
+  });
+
+  test('tied players share the places they span', () => {
+    const result = computePrizeDistribution(1000, [60, 30, 10], [
+      player('a', 50), player('b', 50), player('c', 10)
+    ]);
+
+    expect(result.payouts).toEqual([
+      { user: 'a', place: 1, score: 50, amount: 450 },
+      { user: 'b', place: 1, score: 50, amount: 450 },
+      { user: 'c', place: 3, score: 10, amount: 100 }
+    ]);
+  });
+
+  test('a tie below the paid places splits the last paid share', () => {
+    const result = computePrizeDistribution(100, [70, 30], [
+      player('a', 9), player('b', 4), player('c', 4)
+    ]);
+
+    expect(amounts(result)).toEqual([70, 15, 15]);
+    expect(result.payouts.map(p => p.place)).toEqual([1, 2, 2]);
+  });
+
+  test('takes the rake first, floored to whole units', () => {
+    const result = computePrizeDistribution(999, [100], [player('a', 1), player('b', 0)], 5);
+
+    expect(result.rake).toBe(49); // 49.95
+    expect(amounts(result)).toEqual([950, 0]);
+  });
+
+  test('splits a real pool in satang to the satang', () => {
+    // Three 35.50 THB entry fees, as completeArena() passes them: 10650 satang
+    const result = computePrizeDistribution(10650, [60, 30, 10], [
+      player('a', 3), player('b', 2), player('c', 1)
+    ], 5);
+
+    expect(result.rake).toBe(532); // 5.325 THB floors to 5.32
+    expect(amounts(result)).toEqual([6071, 3035, 1012]); // 60.71 / 30.35 / 10.12 THB
+    expect(result.rake + total(result)).toBe(10650);
+  });
+
+  test('rake and payouts always add up to the pool', () => {
+    const players = [player('a', 9), player('b', 7), player('c', 7), player('d', 1)];
+    for (let pool = 0; pool <= 500; pool += 7) {
+      const result = computePrizeDistribution(pool, [50, 30, 20], players, 7.5);
+      expect(result.rake + total(result)).toBe(pool);
+    }
+  });
+
+  test('re-normalises the table when fewer players than paid places', () => {
+    const result = computePrizeDistribution(900, [60, 30, 10], [player('a', 2), player('b', 1)]);
+
+    expect(amounts(result)).toEqual([600, 300]);
+  });
+
+  test('a single player takes the whole net pool', () => {
+    const result = computePrizeDistribution(500, [50, 30, 20], [player('a', 0)], 10);
+
+    expect(result.rake).toBe(50);
+    expect(amounts(result)).toEqual([450]);
+  });
+
+  test('players beyond the paid places get nothing', () => {
+    const result = computePrizeDistribution(100, [100], [player('a', 3), player('b', 2), player('c', 1)]);
+
+    expect(amounts(result)).toEqual([100, 0, 0]);
+  });
+
+  test('defaults to winner takes all without a payout table', () => {
+    const result = computePrizeDistribution(100, [], [player('a', 1), player('b', 2)]);
+
+    expect(result.payouts[0]).toMatchObject({ user: 'b', amount: 100 });
+  });
+
+  test('is deterministic whatever order the players come in', () => {
+    const players = [player('d', 4), player('a', 4), player('c', 9), player('b', 1)];
+    const expected = computePrizeDistribution(101, [60, 30, 10], players, 3);
+
+    expect(computePrizeDistribution(101, [60, 30, 10], [...players].reverse(), 3)).toEqual(expected);
+  });
+
+  test('accepts populated users and missing scores', () => {
+    const result = computePrizeDistribution(100, [100], [{ user: { _id: 'a' } }, { user: 'b', score: 1 }]);
+
+    expect(result.payouts).toEqual([
+      { user: 'b', place: 1, score: 1, amount: 100 },
+      { user: 'a', place: 2, score: 0, amount: 0 }
+    ]);
+  });
+
+  test('no players means no payouts and no rake', () => {
+    expect(computePrizeDistribution(100, [100], [], 10)).toEqual({ rake: 0, payouts: [] });
+  });
+});
@@ -0,0 +1,56 @@
+// Prize pool splitting for completed arenas. Pure maths on whole minor
+// units (satang, cents, yen), kept apart from server.js so it can be unit
+// tested without a database.
+
+/**
+ * Split a prize pool (in whole minor units, e.g. satang) by final scores.
+ * The rake is floored to whole units. Players are ranked by score (user id
+ * breaks ordering ties only); tied players share the percentages of the
+ * places they span equally and all get the tier's place number. Places
+ * beyond the number of players are dropped and the table re-normalised.
+ * Each share is floored and the leftover units go one each to the largest
+ * remainders (earlier rank first), so payouts always sum to pool - rake.
+ * Returns { rake, payouts: [{ user, place, score, amount }] } for every player.
+ */
+function computePrizeDistribution(pool, payoutTable, players, rakePercent = 0) {
+  const rake = Math.floor(pool * rakePercent / 100);
+  const net = pool - rake;
+
+  const ranked = [...players]
+    .map(p => ({ user: (p.user._id || p.user).toString(), score: p.score || 0 }))
+    .sort((a, b) => b.score - a.score || a.user.localeCompare(b.user));
+  if (ranked.length === 0) return { rake: 0, payouts: [] };
+
+  const table = (payoutTable && payoutTable.length ? payoutTable : [100]).slice(0, ranked.length);
+  const tableTotal = table.reduce((sum, pct) => sum + pct, 0);
+
+  // Share of the pool per ranked player, averaged across score ties
+  const shares = [];
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+
+    const tierPct = table.slice(i, j).reduce((sum, pct) => sum + pct, 0);
+    for (let k = i; k < j; k++) {
+      shares.push({ ...ranked[k], place: i + 1, exact: net * (tierPct / tableTotal) / (j - i) });
+    }
+    i = j;
+  }
+
+  const payouts = shares.map(s => ({ user: s.user, place: s.place, score: s.score, amount: Math.floor(s.exact) }));
+  let leftover = net - payouts.reduce((sum, p) => sum + p.amount, 0);
+
+  const byRemainder = shares
+    .map((s, index) => ({ index, remainder: s.exact - Math.floor(s.exact) }))
+    .filter(r => r.remainder > 0)
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) break;
+    payouts[index].amount += 1;
+    leftover -= 1;
+  }
+
+  return { rake, payouts };
+}
+
+module.exports = { computePrizeDistribution };
@@ -7,7 +7,8 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 const UserSchema = new mongoose.Schema({
   username: String, email: String, password: String, displayName: String,
   avatar: String, country: String, reputation: Number, reviewCount: Number,
-  isVerified: Boolean, chartsCreated: Number, chartsWon: Number,
+  isVerified: Boolean, role: String, chartsCreated: Number, chartsWon: Number,
+  currency: { type: String, default: 'THB' },
   balance: Number, totalEarned: Number, totalSupported: Number,
   followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
@@ -17,6 +18,7 @@ const UserSchema = new mongoose.Schema({
 const ChartSchema = new mongoose.Schema({
   creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   title: String, description: String, game: String, difficulty: String,
+  currency: { type: String, default: 'THB' },
   entryFee: Number, prize: Number, prizePool: Number, prizeItem: Object,
   status: String, participants: Array, maxParticipants: Number,
   timeLimit: Number, startsAt: Date, endsAt: Date, shoutouts: Array,
@@ -36,7 +38,7 @@ const DonationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   chart: { type: mongoose.Schema.Types.ObjectId, ref: 'Chart' },
   recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  amount: Number, message: String, status: String,
+  amount: Number, currency: { type: String, default: 'THB' }, message: String, status: String,
   transactionId: String, completedAt: Date, createdAt: Date
 });
 
@@ -48,11 +50,28 @@ const ArenaSchema = new mongoose.Schema({
   createdAt: Date
 });
 
+const TransactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  account: String, journal: String, type: String, amount: Number,
+  currency: { type: String, default: 'THB' }, balance: Number,
+  counters: Object, description: String, status: String, createdAt: Date
+});
+
+const LedgerAccountSchema = new mongoose.Schema({
+  key: String, currency: { type: String, default: 'THB' }, balance: Number, updatedAt: Date
+});
+
 const User = mongoose.model('User', UserSchema);
 const Chart = mongoose.model('Chart', ChartSchema);
 const Shoutout = mongoose.model('Shoutout', ShoutoutSchema);
 const Donation = mongoose.model('Donation', DonationSchema);
 const Arena = mongoose.model('Arena', ArenaSchema);
+const Transaction = mongoose.model('Transaction', TransactionSchema);
+const LedgerAccount = mongoose.model('LedgerAccount', LedgerAccountSchema);
+
+// Every seeded account shares a printed password, so none of them may be an
+// admin in production (seed:prod)
+const SEED_ADMIN = process.env.NODE_ENV !== 'production';
 
 const seedDatabase = async () => {
   console.log('🌱 Starting database seeding...');
@@ -67,7 +86,9 @@ const seedDatabase = async () => {
       Chart.deleteMany({}),
       Shoutout.deleteMany({}),
       Donation.deleteMany({}),
-      Arena.deleteMany({})
+      Arena.deleteMany({}),
+      Transaction.deleteMany({}),
+      LedgerAccount.deleteMany({})
     ]);
     
     console.log('🗑️  Cleared existing data');
@@ -86,6 +107,7 @@ const seedDatabase = async () => {
         reputation: 4.95,
         reviewCount: 128,
         isVerified: true,
+        role: SEED_ADMIN ? 'admin' : 'user',
         chartsCreated: 45,
         chartsWon: 28,
         balance: 2500,
@@ -192,6 +214,36 @@ const seedDatabase = async () => {
 
     console.log(`👥 Created ${users.length} users`);
 
+    // Opening ledger entries so reconciliation sees the seeded balances
+    const openingEntries = [];
+    let adjustmentsBalance = 0;
+    for (const user of users) {
+      const journal = new mongoose.Types.ObjectId().toString();
+      adjustmentsBalance -= user.balance;
+      openingEntries.push({
+        user: user._id,
+        journal,
+        type: 'adjustment',
+        amount: user.balance,
+        balance: user.balance,
+        counters: { totalEarned: user.totalEarned, totalSupported: user.totalSupported },
+        description: 'Opening balance',
+        status: 'completed',
+        createdAt: new Date()
+      }, {
+        account: 'platform:adjustments',
+        journal,
+        type: 'adjustment',
+        amount: -user.balance,
+        balance: adjustmentsBalance,
+        description: `Opening balance for ${user.username}`,
+        status: 'completed',
+        createdAt: new Date()
+      });
+    }
+    await Transaction.insertMany(openingEntries);
+    await LedgerAccount.create({ key: 'platform:adjustments', balance: adjustmentsBalance, updatedAt: new Date() });
+
     // Setup follow relationships
     await User.findByIdAndUpdate(users[0]._id, { $addToSet: { followers: users[2]._id, followers: users[4]._id } });
     await User.findByIdAndUpdate(users[1]._id, { $addToSet: { followers: users[0]._id, followers: users[3]._id } });
@@ -470,7 +522,7 @@ const seedDatabase = async () => {
     `);
     
     console.log('\n📝 Test Accounts:');
-    console.log('   sarah_chen@thumbsapp.io / password123');
+    console.log(`   sarah_chen@thumbsapp.io / password123${SEED_ADMIN ? ' (admin)' : ''}`);
     console.log('   marcus_rodriguez@thumbsapp.io / password123');
     console.log('   alex_chen@thumbsapp.io / password123');
     
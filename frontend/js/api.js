@@ -12,28 +12,51 @@ const WS_URL = window.location.hostname === 'localhost'
 class ThumbsAppAPI {
   constructor() {
     this.token = localStorage.getItem('thumbsapp_token');
+    this.refreshToken = localStorage.getItem('thumbsapp_refresh_token');
+    this.refreshing = null; // In-flight refresh, shared by concurrent requests
+    this.twoFactorChallenge = null; // From login(), while a 2FA code is pending
     this.user = null;
     this.ws = null;
     this.wsCallbacks = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    this.watchedCharts = new Set(); // Re-sent after a reconnect
+    this.currencies = null; // Loaded from the server by getCurrencies()
+    this.defaultCurrency = null;
   }
 
   // ============ AUTHENTICATION ============
-  setToken(token) {
+  setToken(token, refreshToken) {
     this.token = token;
     localStorage.setItem('thumbsapp_token', token);
+    if (refreshToken) {
+      this.refreshToken = refreshToken;
+      localStorage.setItem('thumbsapp_refresh_token', refreshToken);
+    }
   }
 
   clearToken() {
     this.token = null;
+    this.refreshToken = null;
     this.user = null;
     localStorage.removeItem('thumbsapp_token');
+    localStorage.removeItem('thumbsapp_refresh_token');
+  }
+
+  // Random id kept per browser so the server can tell devices apart
+  getDeviceId() {
+    let deviceId = localStorage.getItem('thumbsapp_device_id');
+    if (!deviceId) {
+      deviceId = this.generateIdempotencyKey();
+      localStorage.setItem('thumbsapp_device_id', deviceId);
+    }
+    return deviceId;
   }
 
   getHeaders(includeAuth = true) {
     const headers = {
       'Content-Type': 'application/json',
+      'X-Device-Id': this.getDeviceId()
     };
     
     if (includeAuth && this.token) {
@@ -43,13 +66,107 @@ class ThumbsAppAPI {
     return headers;
   }
 
+  generateIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  // fetch() for API calls: when the access token has expired, refreshes the
+  // login once and retries with the new token
+  async authFetch(url, options = {}) {
+    const response = await fetch(url, options);
+    const authHeader = options.headers && options.headers['Authorization'];
+    if (response.status !== 403 || !authHeader || !this.refreshToken) {
+      return response;
+    }
+    
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'TOKEN_EXPIRED' || !(await this.refreshSession())) {
+      return response;
+    }
+    
+    return fetch(url, { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${this.token}` } });
+  }
+
+  // Swaps the refresh token for a new pair. Concurrent callers share one
+  // request, since a refresh token is only accepted once. Resolves to true
+  // when the session was renewed.
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async requestRefresh() {
+    // Another tab may have rotated the shared tokens already
+    const stored = localStorage.getItem('thumbsapp_refresh_token');
+    if (stored && stored !== this.refreshToken) {
+      this.token = localStorage.getItem('thumbsapp_token');
+      this.refreshToken = stored;
+      return true;
+    }
+    
+    try {
+      const response = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: this.getHeaders(false),
+        body: JSON.stringify({ refreshToken: this.refreshToken })
+      });
+      if (!response.ok) return false;
+      
+      const data = await response.json();
+      this.setToken(data.token, data.refreshToken);
+      return true;
+    } catch (error) {
+      console.error('❌ Session refresh failed:', error);
+      return false;
+    }
+  }
+
+  // Money-moving requests carry one Idempotency-Key that is reused when a
+  // flaky connection forces a retry, so the server never runs them twice
+  async idempotentFetch(url, options = {}, retries = 2) {
+    const headers = { ...options.headers, 'Idempotency-Key': this.generateIdempotencyKey() };
+    const inProgressRetries = 6;
+    const backoff = (attempt) => new Promise(resolve => setTimeout(resolve, Math.min(500 * Math.pow(2, attempt), 4000)));
+    let networkFailures = 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this.authFetch(url, { ...options, headers });
+      } catch (error) {
+        // Network failures are retried; HTTP errors come back as responses
+        if (networkFailures++ >= retries) throw error;
+        await backoff(attempt);
+        continue;
+      }
+      
+      // A retry can overtake the original request while the server is still
+      // running it; wait for that one to finish and replay its response
+      if (response.status === 409 && attempt < inProgressRetries) {
+        const { code } = await response.clone().json().catch(() => ({}));
+        if (code === 'IDEMPOTENCY_IN_PROGRESS') {
+          await backoff(attempt);
+          continue;
+        }
+      }
+      return response;
+    }
+  }
+
   async handleResponse(response) {
     const data = await response.json();
     
     if (!response.ok) {
       // Handle specific error codes
       if (response.status === 401 || response.status === 403) {
-        if (data.code === 'TOKEN_EXPIRED' || data.code === 'INVALID_TOKEN') {
+        if (['TOKEN_EXPIRED', 'INVALID_TOKEN', 'TOKEN_REVOKED'].includes(data.code)) {
           this.clearToken();
           window.location.href = '/login.html';
         }
@@ -86,6 +203,10 @@ class ThumbsAppAPI {
           token: this.token
         }));
         
+        this.watchedCharts.forEach(chartId => {
+          this.ws.send(JSON.stringify({ type: 'watch_chart', chartId }));
+        });
+        
         if (this.wsCallbacks.onOpen) {
           this.wsCallbacks.onOpen();
         }
@@ -107,11 +228,17 @@ class ThumbsAppAPI {
         }
       };
 
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
         console.log('🔌 WebSocket disconnected');
         
         if (this.wsCallbacks.onClose) {
-          this.wsCallbacks.onClose();
+          this.wsCallbacks.onClose(event);
+        }
+        
+        // This login was revoked (logged out elsewhere or from the sessions list)
+        if (event.code === 4001) {
+          this.clearToken();
+          return;
         }
         
         // Attempt reconnect
@@ -146,6 +273,14 @@ class ThumbsAppAPI {
         
       case 'auth_error':
         console.error('❌ WebSocket auth error:', message.error);
+        // Sockets authenticate once, so renew an expired token and try again
+        if (message.code === 'TOKEN_EXPIRED') {
+          this.refreshSession().then(renewed => {
+            if (renewed && this.ws && this.ws.readyState === WebSocket.OPEN) {
+              this.ws.send(JSON.stringify({ type: 'auth', token: this.token }));
+            }
+          });
+        }
         break;
         
       case 'notification':
@@ -186,7 +321,19 @@ class ThumbsAppAPI {
         
       case 'arena_completed':
         if (this.wsCallbacks.onArenaCompleted) {
-          this.wsCallbacks.onArenaCompleted(message.arenaId, message.winnerId, message.prize);
+          this.wsCallbacks.onArenaCompleted(message.arenaId, message.winnerId, message.prize, message.currency);
+        }
+        break;
+        
+      case 'chart_update':
+        if (this.wsCallbacks.onChartUpdate) {
+          this.wsCallbacks.onChartUpdate(message);
+        }
+        break;
+        
+      case 'donation_progress':
+        if (this.wsCallbacks.onDonationProgress) {
+          this.wsCallbacks.onDonationProgress(message);
         }
         break;
         
@@ -224,24 +371,39 @@ class ThumbsAppAPI {
     return false;
   }
 
+  // Live donation progress for charts outside an arena (e.g. feed cards)
+  watchChart(chartId) {
+    this.watchedCharts.add(chartId);
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'watch_chart', chartId }));
+    }
+  }
+
+  unwatchChart(chartId) {
+    this.watchedCharts.delete(chartId);
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'unwatch_chart', chartId }));
+    }
+  }
+
   sendArenaChat(arenaId, message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify({
         type: 'arena_chat',
         arenaId,
-        message: message.substring(0, 280)
+        message: message.substring(0, 500) // The server trims non-supporters to 280
       }));
       return true;
     }
     return false;
   }
 
-  updateScore(arenaId, playerId, score, moves) {
+  // Reports this player's own score
+  updateScore(arenaId, score, moves) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify({
         type: 'update_score',
         arenaId,
-        playerId,
         score,
         moves
       }));
@@ -271,7 +433,7 @@ class ThumbsAppAPI {
 
   // ============ AUTH API ============
   async register(userData) {
-    const response = await fetch(`${API_URL}/auth/register`, {
+    const response = await this.authFetch(`${API_URL}/auth/register`, {
       method: 'POST',
       headers: this.getHeaders(false),
       body: JSON.stringify(userData)
@@ -279,31 +441,51 @@ class ThumbsAppAPI {
     
     const data = await this.handleResponse(response);
     if (data.token) {
-      this.setToken(data.token);
+      this.setToken(data.token, data.refreshToken);
       this.user = data.user;
     }
     return data;
   }
 
+  // With 2FA on this resolves to { twoFactorRequired: true }; finish the
+  // login with completeTwoFactorLogin()
   async login(credentials) {
-    const response = await fetch(`${API_URL}/auth/login`, {
+    const response = await this.authFetch(`${API_URL}/auth/login`, {
       method: 'POST',
       headers: this.getHeaders(false),
       body: JSON.stringify(credentials)
     });
     
     const data = await this.handleResponse(response);
+    if (data.twoFactorRequired) {
+      this.twoFactorChallenge = data.challengeToken;
+    }
     if (data.token) {
-      this.setToken(data.token);
+      this.setToken(data.token, data.refreshToken);
       this.user = data.user;
     }
     return data;
   }
 
+  // Accepts a code from the authenticator app or a backup code
+  async completeTwoFactorLogin(code) {
+    const response = await this.authFetch(`${API_URL}/auth/login/2fa`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ challengeToken: this.twoFactorChallenge, code })
+    });
+    
+    const data = await this.handleResponse(response);
+    this.twoFactorChallenge = null;
+    this.setToken(data.token, data.refreshToken);
+    this.user = data.user;
+    return data;
+  }
+
   async logout() {
     if (this.token) {
       try {
-        await fetch(`${API_URL}/auth/logout`, {
+        await this.authFetch(`${API_URL}/auth/logout`, {
           method: 'POST',
           headers: this.getHeaders()
         });
@@ -318,8 +500,205 @@ class ThumbsAppAPI {
     }
   }
 
+  async verifyEmail(token) {
+    const response = await this.authFetch(`${API_URL}/auth/verify-email`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ token })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.isVerified = true;
+    }
+    return data;
+  }
+
+  async resendVerification() {
+    const response = await this.authFetch(`${API_URL}/auth/resend-verification`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async requestPasswordReset(email) {
+    const response = await this.authFetch(`${API_URL}/auth/password-reset/request`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ email })
+    });
+    return this.handleResponse(response);
+  }
+
+  // Every existing login ends, including this browser's
+  async resetPassword(token, password) {
+    const response = await this.authFetch(`${API_URL}/auth/password-reset/confirm`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ token, password })
+    });
+    
+    const data = await this.handleResponse(response);
+    this.clearToken();
+    return data;
+  }
+
+  // Resolves to { sessions: [{ id, device, ip, lastUsedAt, socketConnected, current, ... }] }
+  async getSessions() {
+    const response = await this.authFetch(`${API_URL}/auth/sessions`, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Signs that device out; revoking the current session logs this browser out
+  async revokeSession(sessionId) {
+    const response = await this.authFetch(`${API_URL}/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: this.getHeaders()
+    });
+    
+    const data = await this.handleResponse(response);
+    if (data.current) {
+      this.clearToken();
+      if (this.ws) {
+        this.ws.close();
+      }
+    }
+    return data;
+  }
+
+  // ============ OAUTH API ============
+  // Resolves to { providers: [{ name, label }] } for the configured providers
+  async getOAuthProviders() {
+    const response = await this.authFetch(`${API_URL}/auth/oauth/providers`, {
+      headers: this.getHeaders(false)
+    });
+    return this.handleResponse(response);
+  }
+
+  // Leaves the page for the provider, which returns to login.html?oauth_code=
+  async startOAuthLogin(provider, loginHint) {
+    const response = await this.authFetch(`${API_URL}/auth/oauth/${provider}/start`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ loginHint })
+    });
+    
+    const data = await this.handleResponse(response);
+    window.location.href = data.url;
+  }
+
+  // Like login(), this can resolve to { twoFactorRequired: true }
+  async completeOAuthLogin(code) {
+    const response = await this.authFetch(`${API_URL}/auth/oauth/complete`, {
+      method: 'POST',
+      headers: this.getHeaders(false),
+      body: JSON.stringify({ code })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (data.twoFactorRequired) {
+      this.twoFactorChallenge = data.challengeToken;
+    }
+    if (data.token) {
+      this.setToken(data.token, data.refreshToken);
+      this.user = data.user;
+    }
+    return data;
+  }
+
+  // Leaves the page for the provider, which returns to /?oauth_linked=
+  async linkOAuthProvider(provider) {
+    const response = await this.authFetch(`${API_URL}/auth/oauth/${provider}/link`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({})
+    });
+    
+    const data = await this.handleResponse(response);
+    window.location.href = data.url;
+  }
+
+  async unlinkOAuthProvider(provider) {
+    const response = await this.authFetch(`${API_URL}/auth/oauth/${provider}`, {
+      method: 'DELETE',
+      headers: this.getHeaders()
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.oauthIdentities = data.oauthIdentities;
+    }
+    return data;
+  }
+
+  // ============ ACCOUNT SECURITY API ============
+  // Resolves to { secret, otpauthUrl, qrCode } where qrCode is an image data URL
+  async setupTwoFactor() {
+    const response = await this.authFetch(`${API_URL}/auth/2fa/setup`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Resolves to { backupCodes }, shown to the user once
+  async enableTwoFactor(code) {
+    const response = await this.authFetch(`${API_URL}/auth/2fa/enable`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ code })
+    });
+    return this.handleResponse(response);
+  }
+
+  async disableTwoFactor(password, twoFactorCode) {
+    const response = await this.authFetch(`${API_URL}/auth/2fa/disable`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ password, twoFactorCode })
+    });
+    return this.handleResponse(response);
+  }
+
+  async regenerateBackupCodes(twoFactorCode) {
+    const response = await this.authFetch(`${API_URL}/auth/2fa/backup-codes`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ twoFactorCode })
+    });
+    return this.handleResponse(response);
+  }
+
+  // twoFactorCode is only needed when 2FA is enabled
+  async changePassword(currentPassword, newPassword, twoFactorCode) {
+    const response = await this.authFetch(`${API_URL}/auth/password`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ currentPassword, newPassword, twoFactorCode })
+    });
+    return this.handleResponse(response);
+  }
+
+  async changeEmail(email, password, twoFactorCode) {
+    const response = await this.authFetch(`${API_URL}/auth/email`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ email, password, twoFactorCode })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.email = data.email;
+      this.user.isVerified = false;
+    }
+    return data;
+  }
+
   async getCurrentUser() {
-    const response = await fetch(`${API_URL}/auth/me`, {
+    const response = await this.authFetch(`${API_URL}/auth/me`, {
       headers: this.getHeaders()
     });
     
@@ -330,14 +709,14 @@ class ThumbsAppAPI {
 
   // ============ USERS API ============
   async getUserProfile(userId) {
-    const response = await fetch(`${API_URL}/users/${userId}`, {
+    const response = await this.authFetch(`${API_URL}/users/${userId}`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
   }
 
   async updateProfile(formData) {
-    const response = await fetch(`${API_URL}/users/profile`, {
+    const response = await this.authFetch(`${API_URL}/users/profile`, {
       method: 'PUT',
       headers: {
         'Authorization': `Bearer ${this.token}`
@@ -353,7 +732,7 @@ class ThumbsAppAPI {
   }
 
   async followUser(userId) {
-    const response = await fetch(`${API_URL}/users/${userId}/follow`, {
+    const response = await this.authFetch(`${API_URL}/users/${userId}/follow`, {
       method: 'POST',
       headers: this.getHeaders()
     });
@@ -361,16 +740,42 @@ class ThumbsAppAPI {
   }
 
   async unfollowUser(userId) {
-    const response = await fetch(`${API_URL}/users/${userId}/follow`, {
+    const response = await this.authFetch(`${API_URL}/users/${userId}/follow`, {
       method: 'DELETE',
       headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
+  async getSpendingLimits() {
+    const response = await this.authFetch(`${API_URL}/users/me/limits`, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Pass amount = null to remove a limit (takes effect after the cooling-off period)
+  async setSpendingLimit(category, period, amount) {
+    const response = await this.authFetch(`${API_URL}/users/me/limits`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ category, period, amount })
+    });
+    return this.handleResponse(response);
+  }
+
+  async selfExclude(days) {
+    const response = await this.authFetch(`${API_URL}/users/me/self-exclusion`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ days })
+    });
+    return this.handleResponse(response);
+  }
+
   // ============ CHARTS API ============
   async createChart(chartData) {
-    const response = await fetch(`${API_URL}/charts`, {
+    const response = await this.idempotentFetch(`${API_URL}/charts`, {
       method: 'POST',
       headers: this.getHeaders(),
       body: JSON.stringify(chartData)
@@ -380,21 +785,38 @@ class ThumbsAppAPI {
 
   async getFeed(params = {}) {
     const queryString = new URLSearchParams(params).toString();
-    const response = await fetch(`${API_URL}/charts/feed?${queryString}`, {
+    const response = await this.authFetch(`${API_URL}/charts/feed?${queryString}`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
   }
 
   async getChart(chartId) {
-    const response = await fetch(`${API_URL}/charts/${chartId}`, {
+    const response = await this.authFetch(`${API_URL}/charts/${chartId}`, {
       headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
   async joinChart(chartId) {
-    const response = await fetch(`${API_URL}/charts/${chartId}/join`, {
+    const response = await this.idempotentFetch(`${API_URL}/charts/${chartId}/join`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async cancelChart(chartId, reason = '') {
+    const response = await this.authFetch(`${API_URL}/charts/${chartId}/cancel`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ reason })
+    });
+    return this.handleResponse(response);
+  }
+
+  async withdrawFromChart(chartId) {
+    const response = await this.authFetch(`${API_URL}/charts/${chartId}/withdraw`, {
       method: 'POST',
       headers: this.getHeaders()
     });
@@ -403,7 +825,7 @@ class ThumbsAppAPI {
 
   // ============ SHOUTOUTS API ============
   async createShoutout(data) {
-    const response = await fetch(`${API_URL}/shoutouts`, {
+    const response = await this.authFetch(`${API_URL}/shoutouts`, {
       method: 'POST',
       headers: this.getHeaders(),
       body: JSON.stringify(data)
@@ -412,7 +834,7 @@ class ThumbsAppAPI {
   }
 
   async getChartShoutouts(chartId) {
-    const response = await fetch(`${API_URL}/shoutouts/chart/${chartId}`, {
+    const response = await this.authFetch(`${API_URL}/shoutouts/chart/${chartId}`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
@@ -420,7 +842,7 @@ class ThumbsAppAPI {
 
   // ============ DONATIONS API ============
   async createDonation(data) {
-    const response = await fetch(`${API_URL}/donations`, {
+    const response = await this.idempotentFetch(`${API_URL}/donations`, {
       method: 'POST',
       headers: this.getHeaders(),
       body: JSON.stringify(data)
@@ -428,47 +850,154 @@ class ThumbsAppAPI {
     return this.handleResponse(response);
   }
 
+  async refundDonation(donationId, reason = '') {
+    const response = await this.authFetch(`${API_URL}/donations/${donationId}/refund`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ reason })
+    });
+    return this.handleResponse(response);
+  }
+
   async getUserDonations(userId, page = 1) {
-    const response = await fetch(`${API_URL}/donations/user/${userId}?page=${page}`, {
+    const response = await this.authFetch(`${API_URL}/donations/user/${userId}?page=${page}`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
   }
 
+  // ============ SUBSCRIPTIONS API ============
+  async subscribe(recipientId, amount) {
+    const response = await this.idempotentFetch(`${API_URL}/subscriptions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ recipientId, amount })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.balance = data.balance;
+    }
+    return data;
+  }
+
+  async cancelSubscription(subscriptionId) {
+    const response = await this.authFetch(`${API_URL}/subscriptions/${subscriptionId}`, {
+      method: 'DELETE',
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getMySubscriptions(status = null) {
+    let url = `${API_URL}/subscriptions`;
+    if (status) url += `?status=${status}`;
+    
+    const response = await this.authFetch(url, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getSubscribers(page = 1, status = null) {
+    let url = `${API_URL}/subscriptions/subscribers?page=${page}`;
+    if (status) url += `&status=${status}`;
+    
+    const response = await this.authFetch(url, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // ============ PRIZES API ============
+  async getPrizes(role = 'winner', status = null) {
+    let url = `${API_URL}/prizes?role=${role}`;
+    if (status) url += `&status=${status}`;
+    
+    const response = await this.authFetch(url, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getPrize(fulfilmentId) {
+    const response = await this.authFetch(`${API_URL}/prizes/${fulfilmentId}`, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Pass { shippingAddress } for physical prizes or { walletAddress } for NFTs
+  async claimPrize(fulfilmentId, claim) {
+    const response = await this.authFetch(`${API_URL}/prizes/${fulfilmentId}/claim`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(claim)
+    });
+    return this.handleResponse(response);
+  }
+
+  async shipPrize(fulfilmentId, carrier, trackingNumber) {
+    const response = await this.authFetch(`${API_URL}/prizes/${fulfilmentId}/ship`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ carrier, trackingNumber })
+    });
+    return this.handleResponse(response);
+  }
+
+  async confirmPrizeReceived(fulfilmentId) {
+    const response = await this.authFetch(`${API_URL}/prizes/${fulfilmentId}/received`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
   // ============ ARENAS API ============
   async getLiveArenas() {
-    const response = await fetch(`${API_URL}/arenas/live`, {
+    const response = await this.authFetch(`${API_URL}/arenas/live`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
   }
 
   async getArena(arenaId) {
-    const response = await fetch(`${API_URL}/arenas/${arenaId}`, {
+    const response = await this.authFetch(`${API_URL}/arenas/${arenaId}`, {
       headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
-  async completeArena(arenaId, winnerId) {
-    const response = await fetch(`${API_URL}/arenas/${arenaId}/complete`, {
+  // Marks this player done; resolves with { completed } once everyone is
+  async finishArena(arenaId) {
+    const response = await this.authFetch(`${API_URL}/arenas/${arenaId}/finish`, {
       method: 'POST',
-      headers: this.getHeaders(),
-      body: JSON.stringify({ winnerId })
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Placings come from the final scores; only allowed once every player
+  // has finished, or for admins
+  async completeArena(arenaId) {
+    const response = await this.authFetch(`${API_URL}/arenas/${arenaId}/complete`, {
+      method: 'POST',
+      headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
   // ============ NOTIFICATIONS API ============
   async getNotifications(page = 1) {
-    const response = await fetch(`${API_URL}/notifications?page=${page}`, {
+    const response = await this.authFetch(`${API_URL}/notifications?page=${page}`, {
       headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
   async markNotificationRead(notificationId) {
-    const response = await fetch(`${API_URL}/notifications/${notificationId}/read`, {
+    const response = await this.authFetch(`${API_URL}/notifications/${notificationId}/read`, {
       method: 'PUT',
       headers: this.getHeaders()
     });
@@ -476,7 +1005,7 @@ class ThumbsAppAPI {
   }
 
   async markAllNotificationsRead() {
-    const response = await fetch(`${API_URL}/notifications/read-all`, {
+    const response = await this.authFetch(`${API_URL}/notifications/read-all`, {
       method: 'PUT',
       headers: this.getHeaders()
     });
@@ -488,17 +1017,81 @@ class ThumbsAppAPI {
     let url = `${API_URL}/transactions?page=${page}`;
     if (type) url += `&type=${type}`;
     
-    const response = await fetch(url, {
+    const response = await this.authFetch(url, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Downloads a CSV or PDF statement for a date range (defaults to last 30 days)
+  async downloadStatement({ from, to, format = 'csv', type } = {}) {
+    const params = new URLSearchParams({ format });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (type) params.set('type', type);
+    
+    const response = await this.authFetch(`${API_URL}/transactions/statement?${params}`, {
+      headers: this.getHeaders()
+    });
+    
+    if (!response.ok) {
+      return this.handleResponse(response);
+    }
+    
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `thumbsapp-statement.${format}`;
+    const url = URL.createObjectURL(await response.blob());
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return filename;
+  }
+
+  // Yearly income by source and month (defaults to the current year)
+  async getTransactionSummary(year = null) {
+    let url = `${API_URL}/transactions/summary`;
+    if (year) url += `?year=${year}`;
+    
+    const response = await this.authFetch(url, {
       headers: this.getHeaders()
     });
     return this.handleResponse(response);
   }
 
-  async deposit(amount) {
-    const response = await fetch(`${API_URL}/transactions/deposit`, {
+  // Downloads the printable PDF of a yearly summary
+  async downloadTransactionSummary(year = new Date().getFullYear()) {
+    const response = await this.authFetch(`${API_URL}/transactions/summary?year=${year}&format=pdf`, {
+      headers: this.getHeaders()
+    });
+    
+    if (!response.ok) {
+      return this.handleResponse(response);
+    }
+    
+    const filename = `thumbsapp-summary-${year}.pdf`;
+    const url = URL.createObjectURL(await response.blob());
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return filename;
+  }
+
+  // Starts a deposit; the balance changes once the payment is confirmed
+  async deposit(amount, method = 'credit') {
+    const response = await this.idempotentFetch(`${API_URL}/transactions/deposit`, {
       method: 'POST',
       headers: this.getHeaders(),
-      body: JSON.stringify({ amount })
+      body: JSON.stringify({ amount, method })
     });
     
     const data = await this.handleResponse(response);
@@ -508,9 +1101,60 @@ class ThumbsAppAPI {
     return data;
   }
 
+  async getDeposit(depositId) {
+    const response = await this.authFetch(`${API_URL}/transactions/deposits/${depositId}`, {
+      headers: this.getHeaders()
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.balance = data.balance;
+    }
+    return data;
+  }
+
+  // twoFactorCode is only needed when 2FA is enabled
+  async withdraw(amount, destination, method = 'bank_transfer', twoFactorCode) {
+    const response = await this.idempotentFetch(`${API_URL}/transactions/withdraw`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ amount, destination, method, twoFactorCode })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.balance = data.balance;
+    }
+    return data;
+  }
+
+  async getWithdrawals(page = 1, status = null) {
+    let url = `${API_URL}/transactions/withdrawals?page=${page}`;
+    if (status) url += `&status=${status}`;
+    
+    const response = await this.authFetch(url, {
+      headers: this.getHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async redeemPromoCode(code) {
+    const response = await this.idempotentFetch(`${API_URL}/promo-codes/redeem`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ code })
+    });
+    
+    const data = await this.handleResponse(response);
+    if (this.user) {
+      this.user.bonusBalance = data.bonusBalance;
+    }
+    return data;
+  }
+
   // ============ LEADERBOARD API ============
   async getLeaderboard(type = 'reputation', limit = 10, timeframe = 'all') {
-    const response = await fetch(
+    const response = await this.authFetch(
       `${API_URL}/leaderboard?type=${type}&limit=${limit}&timeframe=${timeframe}`,
       { headers: this.getHeaders(false) }
     );
@@ -523,7 +1167,7 @@ class ThumbsAppAPI {
       throw new Error('Search query must be at least 2 characters');
     }
     
-    const response = await fetch(
+    const response = await this.authFetch(
       `${API_URL}/search?q=${encodeURIComponent(query)}&type=${type}`,
       { headers: this.getHeaders(false) }
     );
@@ -532,19 +1176,36 @@ class ThumbsAppAPI {
 
   // ============ STATS API ============
   async getStats() {
-    const response = await fetch(`${API_URL}/stats`, {
+    const response = await this.authFetch(`${API_URL}/stats`, {
       headers: this.getHeaders(false)
     });
     return this.handleResponse(response);
   }
 
+  // Supported currencies with per-currency limits (minDonation, maxDeposit...)
+  async getCurrencies(base) {
+    const query = base ? `?base=${encodeURIComponent(base)}` : '';
+    const response = await this.authFetch(`${API_URL}/currencies${query}`, {
+      headers: this.getHeaders(false)
+    });
+    const data = await this.handleResponse(response);
+    this.currencies = data.currencies;
+    this.defaultCurrency = data.default;
+    return data;
+  }
+
+  getCurrencyLimits(currency = this.user?.currency || this.defaultCurrency) {
+    return (this.currencies && this.currencies[currency]) || {};
+  }
+
   // ============ UTILITIES ============
-  formatCurrency(amount) {
+  // Amounts default to the user's wallet currency; pass a chart's currency for chart amounts
+  formatCurrency(amount, currency = this.user?.currency || this.defaultCurrency) {
+    if (!currency) return Number(amount || 0).toLocaleString('en-US');
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'THB',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      currency,
+      minimumFractionDigits: Number.isInteger(amount) ? 0 : 2
     }).format(amount);
   }
 
@@ -558,6 +1219,13 @@ class ThumbsAppAPI {
     return num.toString();
   }
 
+  // User-written text going into an HTML template
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
   formatDate(date) {
     const d = new Date(date);
     const now = new Date();
@@ -588,6 +1256,8 @@ window.thumbsAPI = new ThumbsAppAPI();
 
 // Auto-login if token exists
 (async () => {
+  window.thumbsAPI.getCurrencies().catch(error => console.error('❌ Failed to load currencies:', error));
+  
   if (window.thumbsAPI.token) {
     try {
       await window.thumbsAPI.getCurrentUser();
@@ -20,6 +20,7 @@ class ThumbsApp {
     
     // Check authentication
     await this.checkAuth();
+    this.showOAuthLinkResult();
     
     // Load initial data
     await this.loadInitialData();
@@ -175,6 +176,9 @@ class ThumbsApp {
     const balanceEl = document.querySelector('.user-balance');
     if (balanceEl) balanceEl.textContent = this.api.formatCurrency(user.balance || 0);
     
+    const bonusEl = document.querySelector('.user-bonus-balance');
+    if (bonusEl) bonusEl.textContent = this.api.formatCurrency(user.bonusBalance || 0);
+    
     // Update reputation
     const reputationEl = document.querySelector('.user-reputation');
     if (reputationEl) reputationEl.textContent = user.reputation?.toFixed(2) || '4.50';
@@ -243,7 +247,7 @@ class ThumbsApp {
     
     charts.forEach(chart => {
       const timeLeft = this.getTimeLeft(chart.startsAt);
-      const spotsLeft = chart.maxParticipants - (chart.participants?.length || 1);
+      const spotsLeft = chart.spotsLeft ?? chart.maxParticipants - (chart.participants?.length || 1);
       
       html += `
         <div class="glass-card p-6 hover:shadow-xl transition-all chart-card" data-chart-id="${chart._id}">
@@ -294,13 +298,13 @@ class ThumbsApp {
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
               </svg>
-              ${this.api.formatCurrency(chart.entryFee)}
+              ${this.api.formatCurrency(chart.entryFee, chart.currency)}
             </span>
             <span class="flex items-center gap-1 text-primary">
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v13m0-13V6a2 2 0 112 2h-2zm0 0V5.5A2.5 2.5 0 109.5 8H12zm-7 4h14M5 12a2 2 0 110-4h14a2 2 0 110 4M5 12v7a2 2 0 002 2h10a2 2 0 002-2v-7"/>
               </svg>
-              Prize: ${this.api.formatCurrency(chart.prizePool || chart.prize || chart.entryFee * 2)}
+              Prize: ${this.api.formatCurrency(chart.prizePool || chart.prize || chart.entryFee * 2, chart.currency)}
             </span>
             <span class="flex items-center gap-1 text-muted-foreground">
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -326,7 +330,7 @@ class ThumbsApp {
               </svg>
               <span class="font-medium text-sm">Locked Entry</span>
             </div>
-            <span class="font-semibold text-primary">${this.api.formatCurrency(chart.entryFee)}</span>
+            <span class="font-semibold text-primary">${this.api.formatCurrency(chart.entryFee, chart.currency)}</span>
           </div>
           
           <div class="flex items-center gap-6 mb-4 text-sm">
@@ -346,16 +350,18 @@ class ThumbsApp {
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/>
               </svg>
-              <span class="donation-amount">${this.api.formatNumber(chart.totalDonations || 0)}</span> THB
+              <span class="donation-amount">${this.api.formatNumber(chart.totalDonations || 0)}</span> ${chart.currency}
             </span>
           </div>
           
+          ${this.renderDonationGoal(chart._id, chart.donationGoal, chart.totalDonations, chart.currency)}
+          
           <div class="flex items-center justify-between">
             <div class="flex items-center gap-2">
               <span class="text-xs text-muted-foreground">
                 ⏰ Starts ${timeLeft}
               </span>
-              <span class="text-xs ${spotsLeft > 0 ? 'text-success' : 'text-destructive'}">
+              <span class="text-xs chart-spots ${spotsLeft > 0 ? 'text-success' : 'text-destructive'}" data-chart-id="${chart._id}">
                 ${spotsLeft > 0 ? `${spotsLeft} spot${spotsLeft > 1 ? 's' : ''} left` : 'Full'}
               </span>
             </div>
@@ -369,6 +375,10 @@ class ThumbsApp {
     
     feedContainer.innerHTML = html;
     
+    // Follow donation progress of the charts on screen
+    this.api.watchedCharts.forEach(chartId => this.api.unwatchChart(chartId));
+    charts.forEach(chart => this.api.watchChart(chart._id));
+    
     // Add event listeners to join buttons
     document.querySelectorAll('.join-chart-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -590,11 +600,17 @@ class ThumbsApp {
       onSpectatorLeft: (userId, arenaId) => {
         this.handleSpectatorLeft(userId, arenaId);
       },
-      onArenaCompleted: (arenaId, winnerId, prize) => {
-        this.handleArenaCompleted(arenaId, winnerId, prize);
+      onArenaCompleted: (arenaId, winnerId, prize, currency) => {
+        this.handleArenaCompleted(arenaId, winnerId, prize, currency);
+      },
+      onDonationProgress: (progress) => {
+        this.handleDonationProgress(progress);
       },
       onUserStatus: (userId, status) => {
         this.handleUserStatus(userId, status);
+      },
+      onChartUpdate: (update) => {
+        this.handleChartUpdate(update);
       }
     });
   }
@@ -694,6 +710,39 @@ class ThumbsApp {
     }
   }
 
+  async downloadStatement(format = 'csv') {
+    if (!this.api.token) {
+      window.location.href = '/login.html';
+      return;
+    }
+    
+    try {
+      const filename = await this.api.downloadStatement({ format });
+      this.showToast('Statement Ready', `Downloaded ${filename}`, 'success');
+    } catch (error) {
+      this.showToast('Download Failed', error.message, 'error');
+    }
+  }
+
+  async redeemPromoCode() {
+    if (!this.api.token) {
+      window.location.href = '/login.html';
+      return;
+    }
+    
+    const code = prompt('Enter your promo code:');
+    if (!code || !code.trim()) return;
+    
+    try {
+      const result = await this.api.redeemPromoCode(code.trim());
+      const bonusEl = document.querySelector('.user-bonus-balance');
+      if (bonusEl) bonusEl.textContent = this.api.formatCurrency(result.bonusBalance, result.currency);
+      this.showToast('Bonus Credit Added', result.message, 'success');
+    } catch (error) {
+      this.showToast('Promo Code', error.message, 'error');
+    }
+  }
+
   openNotifications() {
     // Navigate to notifications page or open modal
     window.location.href = '/notifications.html';
@@ -705,9 +754,10 @@ class ThumbsApp {
       return;
     }
     
-    // Check balance
-    if (this.api.user.balance < 10) {
-      this.showToast('Insufficient Balance', 'You need at least 10 THB to create a chart', 'warning');
+    // Check balance (charts are created in the wallet currency; bonus credit pays entry fees)
+    const { minEntryFee = 0 } = this.api.getCurrencyLimits();
+    if (this.api.user.balance + (this.api.user.bonusBalance || 0) < minEntryFee) {
+      this.showToast('Insufficient Balance', `You need at least ${this.api.formatCurrency(minEntryFee)} to create a chart`, 'warning');
       return;
     }
     
@@ -774,8 +824,8 @@ class ThumbsApp {
           
           <div class="grid grid-cols-2 gap-4">
             <div>
-              <label class="block text-sm font-medium mb-2">Entry Fee (THB)</label>
-              <input type="number" id="chart-entry-fee" class="w-full px-4 py-2 rounded-xl border border-border bg-background" value="10" min="10" max="1000" step="10" required>
+              <label class="block text-sm font-medium mb-2">Entry Fee (${this.api.user.currency || this.api.defaultCurrency || ''})</label>
+              <input type="number" id="chart-entry-fee" class="w-full px-4 py-2 rounded-xl border border-border bg-background" value="${minEntryFee}" min="${minEntryFee}" step="any" required>
             </div>
             
             <div>
@@ -790,6 +840,27 @@ class ThumbsApp {
             </div>
           </div>
           
+          <div>
+            <label class="block text-sm font-medium mb-2">Prize Split</label>
+            <select id="chart-payout-table" class="w-full px-4 py-2 rounded-xl border border-border bg-background">
+              <option value="100" selected>Winner takes all</option>
+              <option value="70,30">Top 2 • 70% / 30%</option>
+              <option value="60,30,10">Top 3 • 60% / 30% / 10%</option>
+            </select>
+          </div>
+          
+          <div class="grid grid-cols-2 gap-4">
+            <div>
+              <label class="block text-sm font-medium mb-2">Donation Goal (optional)</label>
+              <input type="number" id="chart-donation-goal" class="w-full px-4 py-2 rounded-xl border border-border bg-background" min="0" step="any" placeholder="e.g., 1000">
+            </div>
+            
+            <div>
+              <label class="block text-sm font-medium mb-2">Goal For</label>
+              <input type="text" id="chart-donation-goal-description" class="w-full px-4 py-2 rounded-xl border border-border bg-background" maxlength="100" placeholder="e.g., charity stream">
+            </div>
+          </div>
+          
           <div>
             <label class="block text-sm font-medium mb-2">Tags (comma separated)</label>
             <input type="text" id="chart-tags" class="w-full px-4 py-2 rounded-xl border border-border bg-background" placeholder="e.g., chess, competitive, blitz">
@@ -815,7 +886,7 @@ class ThumbsApp {
               Cancel
             </button>
             <button id="submit-chart-btn" class="flex-1 bg-gradient-to-r from-primary to-accent text-white px-4 py-3 rounded-xl font-semibold shadow-lg">
-              Create Chart • ${this.api.formatCurrency(10)}
+              Create Chart • ${this.api.formatCurrency(minEntryFee)}
             </button>
           </div>
         </div>
@@ -829,7 +900,7 @@ class ThumbsApp {
     const submitBtn = document.getElementById('submit-chart-btn');
     
     entryFeeInput.addEventListener('input', () => {
-      const fee = parseInt(entryFeeInput.value) || 10;
+      const fee = parseFloat(entryFeeInput.value) || minEntryFee;
       submitBtn.textContent = `Create Chart • ${this.api.formatCurrency(fee)}`;
     });
     
@@ -845,9 +916,12 @@ class ThumbsApp {
     const description = document.getElementById('chart-description').value;
     const difficulty = document.getElementById('chart-difficulty').value;
     const maxParticipants = parseInt(document.getElementById('chart-max-players').value);
-    const entryFee = parseInt(document.getElementById('chart-entry-fee').value);
+    const entryFee = parseFloat(document.getElementById('chart-entry-fee').value);
     const timeLimit = parseInt(document.getElementById('chart-time-limit').value);
     const tagsInput = document.getElementById('chart-tags').value;
+    const payoutTable = document.getElementById('chart-payout-table').value.split(',').map(Number);
+    const goalAmount = parseFloat(document.getElementById('chart-donation-goal').value);
+    const goalDescription = document.getElementById('chart-donation-goal-description').value.trim();
     
     // Validation
     if (!title || !game) {
@@ -860,12 +934,24 @@ class ThumbsApp {
       return;
     }
     
-    if (entryFee < 10) {
-      this.showToast('Validation Error', 'Minimum entry fee is 10 THB', 'error');
+    const { minEntryFee = 0 } = this.api.getCurrencyLimits();
+    if (!(entryFee >= minEntryFee)) {
+      this.showToast('Validation Error', `Minimum entry fee is ${this.api.formatCurrency(minEntryFee)}`, 'error');
       return;
     }
     
-    if (entryFee > this.api.user.balance) {
+    if (payoutTable.length > maxParticipants) {
+      this.showToast('Validation Error', `A ${payoutTable.length}-place prize split needs at least ${payoutTable.length} players`, 'error');
+      return;
+    }
+    
+    const { minDonation = 0 } = this.api.getCurrencyLimits();
+    if (goalAmount && !(goalAmount >= minDonation)) {
+      this.showToast('Validation Error', `Donation goal must be at least ${this.api.formatCurrency(minDonation)}`, 'error');
+      return;
+    }
+    
+    if (entryFee > this.api.user.balance + (this.api.user.bonusBalance || 0)) {
       this.showToast('Insufficient Balance', `You need ${this.api.formatCurrency(entryFee)} to create this chart`, 'error');
       return;
     }
@@ -880,9 +966,14 @@ class ThumbsApp {
       maxParticipants,
       entryFee,
       timeLimit,
-      tags
+      tags,
+      payoutTable
     };
     
+    if (goalAmount) {
+      chartData.donationGoal = { amount: goalAmount, description: goalDescription };
+    }
+    
     try {
       const chart = await this.api.createChart(chartData);
       
@@ -900,10 +991,39 @@ class ThumbsApp {
         this.viewChart(chart._id);
       }, 1000);
     } catch (error) {
+      if (await this.promptEmailVerification(error)) return;
       this.showToast('Failed to create chart', error.message, 'error');
     }
   }
 
+  // Linking a sign-in provider returns here as ?oauth_linked= or ?oauth_error=
+  showOAuthLinkResult() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('oauth_linked') && !params.has('oauth_error')) return;
+    history.replaceState(null, '', window.location.pathname);
+    
+    if (params.has('oauth_error')) {
+      this.showToast('Linking Failed', params.get('oauth_error'), 'error');
+    } else {
+      this.showToast('Account Linked', `You can now sign in with ${params.get('oauth_linked')}`, 'success');
+    }
+  }
+
+  // Paid charts and deposits need a verified email; offers a fresh link
+  async promptEmailVerification(error) {
+    if (error.code !== 'EMAIL_NOT_VERIFIED') return false;
+    
+    if (confirm('Verify your email address to play paid charts. Send a new verification link?')) {
+      try {
+        const result = await this.api.resendVerification();
+        this.showToast('Check Your Inbox', result.message, 'info');
+      } catch (resendError) {
+        this.showToast('Verification Email', resendError.message, 'error');
+      }
+    }
+    return true;
+  }
+
   async joinChart(chartId) {
     if (!this.api.token) {
       window.location.href = '/login.html';
@@ -914,19 +1034,20 @@ class ThumbsApp {
       const chart = await this.api.getChart(chartId);
       
       // Check if already joined
-      if (chart.participants.some(p => p.user._id === this.api.user.id)) {
+      if (chart.participants.some(p => p.user._id === this.api.user.id && p.status !== 'withdrawn')) {
         this.showToast('Already Joined', 'You are already a participant in this chart', 'info');
         return;
       }
       
-      // Check balance
-      if (this.api.user.balance < chart.entryFee) {
-        this.showToast('Insufficient Balance', `You need ${this.api.formatCurrency(chart.entryFee)} to join`, 'error');
+      // Check balance (the server converts fees in other currencies)
+      if (chart.currency === this.api.user.currency &&
+          this.api.user.balance + (this.api.user.bonusBalance || 0) < chart.entryFee) {
+        this.showToast('Insufficient Balance', `You need ${this.api.formatCurrency(chart.entryFee, chart.currency)} to join`, 'error');
         return;
       }
       
       // Confirm join
-      const confirmed = confirm(`Join ${chart.title} for ${this.api.formatCurrency(chart.entryFee)}?`);
+      const confirmed = confirm(`Join ${chart.title} for ${this.api.formatCurrency(chart.entryFee, chart.currency)}?`);
       if (!confirmed) return;
       
       const result = await this.api.joinChart(chartId);
@@ -948,6 +1069,7 @@ class ThumbsApp {
         }
       }
     } catch (error) {
+      if (await this.promptEmailVerification(error)) return;
       this.showToast('Failed to join chart', error.message, 'error');
     }
   }
@@ -1079,7 +1201,7 @@ class ThumbsApp {
     
     // Set default amount
     const confirmBtn = document.getElementById('confirmDonation');
-    if (confirmBtn) confirmBtn.innerHTML = `Donate 25 THB`;
+    if (confirmBtn) confirmBtn.innerHTML = `Donate ${this.api.formatCurrency(25, chart.currency)}`;
     
     // Highlight default preset
     document.querySelectorAll('.preset-amount').forEach(b => {
@@ -1105,25 +1227,29 @@ class ThumbsApp {
     }
     
     const customAmount = document.getElementById('custom-amount');
-    let amount = customAmount?.value ? parseInt(customAmount.value) : null;
+    let amount = customAmount?.value ? parseFloat(customAmount.value) : null;
     
     if (!amount) {
       const activePreset = document.querySelector('.preset-amount.bg-primary\\/10');
       amount = activePreset ? parseInt(activePreset.dataset.amount) : 25;
     }
     
-    if (!amount || amount < 10) {
-      this.showToast('Invalid Amount', 'Minimum donation is 10 THB', 'error');
+    // Donations are made in the chart's currency
+    const currency = this.currentChart.currency;
+    const { minDonation = 0, maxDonation = Infinity } = this.api.getCurrencyLimits(currency);
+    
+    if (!amount || amount < minDonation) {
+      this.showToast('Invalid Amount', `Minimum donation is ${this.api.formatCurrency(minDonation, currency)}`, 'error');
       return;
     }
     
-    if (amount > 10000) {
-      this.showToast('Invalid Amount', 'Maximum donation is 10,000 THB', 'error');
+    if (amount > maxDonation) {
+      this.showToast('Invalid Amount', `Maximum donation is ${this.api.formatCurrency(maxDonation, currency)}`, 'error');
       return;
     }
     
-    if (amount > this.api.user.balance) {
-      this.showToast('Insufficient Balance', `You need ${this.api.formatCurrency(amount)} to donate`, 'error');
+    if (currency === this.api.user.currency && amount > this.api.user.balance) {
+      this.showToast('Insufficient Balance', `You need ${this.api.formatCurrency(amount, currency)} to donate`, 'error');
       return;
     }
     
@@ -1140,7 +1266,7 @@ class ThumbsApp {
       // Update UI
       const donationAmountSpan = document.getElementById(`donation-amount-${this.currentChart._id}`);
       if (donationAmountSpan) {
-        const currentAmount = parseInt(donationAmountSpan.textContent) || 0;
+        const currentAmount = parseFloat(donationAmountSpan.textContent) || 0;
         donationAmountSpan.textContent = currentAmount + amount;
       }
       
@@ -1151,7 +1277,7 @@ class ThumbsApp {
         if (balanceEl) balanceEl.textContent = this.api.formatCurrency(donation.balance);
       }
       
-      this.showToast('Donation Sent!', `You donated ${this.api.formatCurrency(amount)} to ${this.currentChart.creator.displayName}`, 'donation');
+      this.showToast('Donation Sent!', `You donated ${this.api.formatCurrency(amount, currency)} to ${this.currentChart.creator.displayName}`, 'donation');
       
       this.closeDonationModal();
     } catch (error) {
@@ -1218,9 +1344,9 @@ class ThumbsApp {
     }
   }
 
-  async handleArenaCompleted(arenaId, winnerId, prize) {
+  async handleArenaCompleted(arenaId, winnerId, prize, currency) {
     if (this.currentArena?._id === arenaId) {
-      this.showToast('Arena Completed! 🏆', `Winner received ${this.api.formatCurrency(prize)}`, 'success');
+      this.showToast('Arena Completed! 🏆', `Winner received ${this.api.formatCurrency(prize, currency)}`, 'success');
       
       // Reload arena after 3 seconds
       setTimeout(() => {
@@ -1231,6 +1357,60 @@ class ThumbsApp {
     }
   }
 
+  handleChartUpdate(update) {
+    const card = document.querySelector(`.chart-card[data-chart-id="${update.chartId}"]`);
+    if (!card) return;
+    
+    // Cancelled charts drop out of the feed
+    if (update.status === 'cancelled') {
+      card.remove();
+      return;
+    }
+    
+    const spotsEl = card.querySelector('.chart-spots');
+    if (spotsEl) {
+      const spotsLeft = update.spotsLeft;
+      spotsEl.textContent = spotsLeft > 0 ? `${spotsLeft} spot${spotsLeft > 1 ? 's' : ''} left` : 'Full';
+      spotsEl.classList.toggle('text-success', spotsLeft > 0);
+      spotsEl.classList.toggle('text-destructive', spotsLeft <= 0);
+    }
+  }
+
+  renderDonationGoal(chartId, goal, total = 0, currency) {
+    if (!goal?.amount) return '';
+    const percent = Math.min(100, Math.floor((total / goal.amount) * 100));
+    
+    return `
+      <div class="donation-goal mb-4" data-chart-id="${chartId}">
+        <div class="flex justify-between text-xs text-muted-foreground mb-1">
+          <span>🎯 ${goal.description ? this.api.escapeHtml(goal.description) : 'Donation goal'}</span>
+          <span class="donation-goal-label">${this.api.formatCurrency(total, currency)} / ${this.api.formatCurrency(goal.amount, currency)}</span>
+        </div>
+        <div class="h-2 rounded-full bg-muted overflow-hidden">
+          <div class="donation-goal-bar h-full bg-gradient-to-r from-amber-400 to-amber-600 transition-all" style="width: ${percent}%"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  handleDonationProgress(progress) {
+    const card = document.querySelector(`.chart-card[data-chart-id="${progress.chartId}"]`);
+    const amountEl = card?.querySelector('.donation-amount');
+    if (amountEl) amountEl.textContent = this.api.formatNumber(progress.totalDonations);
+    
+    // Goal bars can appear on a feed card and in the arena view
+    document.querySelectorAll(`.donation-goal[data-chart-id="${progress.chartId}"]`).forEach(el => {
+      if (!progress.goal) return;
+      el.querySelector('.donation-goal-bar').style.width = `${progress.goal.percent}%`;
+      el.querySelector('.donation-goal-label').textContent =
+        `${this.api.formatCurrency(progress.totalDonations, progress.currency)} / ${this.api.formatCurrency(progress.goal.amount, progress.currency)}`;
+    });
+    
+    if (this.currentChart?._id === progress.chartId) {
+      this.currentChart.totalDonations = progress.totalDonations;
+    }
+  }
+
   handleUserStatus(userId, status) {
     // Update user status indicator in UI
     const userStatusEl = document.querySelector(`.user-status[data-user-id="${userId}"]`);
@@ -1263,8 +1443,14 @@ class ThumbsApp {
         <span class="text-foreground">${chat.message}</span>
       `;
     } else {
+      // Subscribers of a player in the arena are highlighted with their tenure
+      const supporterBadge = chat.supporter
+        ? `<span class="text-xs text-accent" title="Supporter for ${chat.supporter.months} month(s)">⭐${chat.supporter.months}</span>`
+        : '';
+      if (chat.supporter) messageEl.classList.add('supporter-message');
       messageEl.innerHTML = `
         <span class="text-muted-foreground text-xs">${new Date(chat.createdAt).toLocaleTimeString()}</span>
+        ${supporterBadge}
         <span class="font-medium">${chat.user?.displayName || 'User'}:</span>
         <span class="text-foreground">${chat.message}</span>
       `;